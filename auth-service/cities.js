@@ -0,0 +1,73 @@
+/**
+ * Справочник городов: каноническое название, координаты центра и варианты написания.
+ * Нужен, чтобы «Москва», «moscow» и «г. Москва» считались одним городом
+ * и чтобы пользователь без точных координат попадал в поиск по расстоянию
+ */
+const CITIES = [
+  { name: 'Moscow', latitude: 55.7558, longitude: 37.6173, aliases: ['москва', 'moskva', 'мск'] },
+  { name: 'Saint Petersburg', latitude: 59.9343, longitude: 30.3351, aliases: ['санкт-петербург', 'петербург', 'спб', 'питер', 'st petersburg', 'st. petersburg', 'sankt-peterburg'] },
+  { name: 'Novosibirsk', latitude: 55.0084, longitude: 82.9357, aliases: ['новосибирск'] },
+  { name: 'Yekaterinburg', latitude: 56.8389, longitude: 60.6057, aliases: ['екатеринбург', 'ekaterinburg', 'екб'] },
+  { name: 'Kazan', latitude: 55.7961, longitude: 49.1064, aliases: ['казань'] },
+  { name: 'Nizhny Novgorod', latitude: 56.2965, longitude: 43.9361, aliases: ['нижний новгород', 'nizhniy novgorod'] },
+  { name: 'Chelyabinsk', latitude: 55.1644, longitude: 61.4368, aliases: ['челябинск'] },
+  { name: 'Samara', latitude: 53.1959, longitude: 50.1002, aliases: ['самара'] },
+  { name: 'Omsk', latitude: 54.9885, longitude: 73.3242, aliases: ['омск'] },
+  { name: 'Rostov-on-Don', latitude: 47.2357, longitude: 39.7015, aliases: ['ростов-на-дону', 'ростов на дону', 'rostov-na-donu'] },
+  { name: 'Ufa', latitude: 54.7388, longitude: 55.9721, aliases: ['уфа'] },
+  { name: 'Krasnoyarsk', latitude: 56.0153, longitude: 92.8932, aliases: ['красноярск'] },
+  { name: 'Voronezh', latitude: 51.672, longitude: 39.1843, aliases: ['воронеж'] },
+  { name: 'Perm', latitude: 58.0105, longitude: 56.2502, aliases: ['пермь'] },
+  { name: 'Volgograd', latitude: 48.708, longitude: 44.5133, aliases: ['волгоград'] },
+  { name: 'Krasnodar', latitude: 45.0355, longitude: 38.9753, aliases: ['краснодар'] },
+  { name: 'Saratov', latitude: 51.5331, longitude: 46.0342, aliases: ['саратов'] },
+  { name: 'Tyumen', latitude: 57.1522, longitude: 65.5272, aliases: ['тюмень'] },
+  { name: 'Izhevsk', latitude: 56.8526, longitude: 53.2045, aliases: ['ижевск'] },
+  { name: 'Irkutsk', latitude: 52.287, longitude: 104.305, aliases: ['иркутск'] },
+  { name: 'Khabarovsk', latitude: 48.4827, longitude: 135.0838, aliases: ['хабаровск'] },
+  { name: 'Vladivostok', latitude: 43.1155, longitude: 131.8855, aliases: ['владивосток'] },
+  { name: 'Yaroslavl', latitude: 57.6261, longitude: 39.8845, aliases: ['ярославль'] },
+  { name: 'Tomsk', latitude: 56.4977, longitude: 84.9744, aliases: ['томск'] },
+  { name: 'Kaliningrad', latitude: 54.7104, longitude: 20.4522, aliases: ['калининград'] },
+  { name: 'Sochi', latitude: 43.6028, longitude: 39.7342, aliases: ['сочи'] },
+  { name: 'Tula', latitude: 54.1931, longitude: 37.6177, aliases: ['тула'] },
+  { name: 'Minsk', latitude: 53.9006, longitude: 27.559, aliases: ['минск'] },
+  { name: 'Almaty', latitude: 43.222, longitude: 76.8512, aliases: ['алматы', 'алма-ата', 'alma-ata'] },
+  { name: 'Astana', latitude: 51.1694, longitude: 71.4491, aliases: ['астана', 'nur-sultan', 'нур-султан'] },
+  { name: 'Bishkek', latitude: 42.8746, longitude: 74.5698, aliases: ['бишкек'] },
+  { name: 'Tashkent', latitude: 41.2995, longitude: 69.2401, aliases: ['ташкент'] },
+  { name: 'Tbilisi', latitude: 41.7151, longitude: 44.8271, aliases: ['тбилиси'] },
+  { name: 'Yerevan', latitude: 40.1792, longitude: 44.4991, aliases: ['ереван'] },
+];
+
+/**
+ * Приводит название к ключу поиска: нижний регистр, ё -> е, без префикса «г.» и лишних пробелов
+ * @param {string} value - Название города
+ * @returns {string}
+ */
+const toKey = (value) => value
+  .toLowerCase()
+  .replace(/ё/g, 'е')
+  .replace(/^(г\.|город)\s*/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const citiesByKey = new Map();
+for (const city of CITIES) {
+  for (const alias of [city.name, ...city.aliases]) {
+    citiesByKey.set(toKey(alias), city);
+  }
+}
+
+/**
+ * Ищет город в справочнике
+ * @param {string} name - Название в любом из известных написаний
+ * @returns {{name: string, latitude: number, longitude: number}|null} Город или null, если его нет в справочнике
+ */
+function resolveCity(name) {
+  if (typeof name !== 'string') return null;
+  const city = citiesByKey.get(toKey(name));
+  return city ? { name: city.name, latitude: city.latitude, longitude: city.longitude } : null;
+}
+
+module.exports = { resolveCity };
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Произвольный, но постоянный номер advisory-блокировки для ротации ключей
+const ROTATION_LOCK_ID = 824301;
+
+/**
+ * Хранилище ключей подписи access-токенов (RS256) с ротацией.
+ * Ключи лежат в таблице signing_keys, чтобы все экземпляры auth-service подписывали одним ключом.
+ * Выведенные из работы ключи остаются в JWKS на retentionHours, пока не истекут подписанные ими токены
+ * @param {Object} pool - Пул PostgreSQL
+ * @param {Object} options - { rotationDays, retentionHours }
+ * @returns {Object} Хранилище ключей
+ */
+function createKeyStore(pool, { rotationDays, retentionHours }) {
+  let keys = [];
+
+  async function initTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS signing_keys (
+        kid VARCHAR(64) PRIMARY KEY,
+        private_key TEXT NOT NULL,
+        public_jwk JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        retired_at TIMESTAMP
+      )
+    `);
+  }
+
+  // Перечитывает ключи из базы (активный ключ идет первым)
+  async function load() {
+    const result = await pool.query(
+      `SELECT kid, private_key, public_jwk, retired_at IS NULL AS active,
+              created_at < NOW() - $1 * INTERVAL '1 day' AS rotation_due
+       FROM signing_keys
+       WHERE retired_at IS NULL OR retired_at > NOW() - $2 * INTERVAL '1 hour'
+       ORDER BY retired_at IS NULL DESC, created_at DESC`,
+      [rotationDays, retentionHours]
+    );
+    keys = result.rows.map((row) => ({
+      kid: row.kid,
+      active: row.active,
+      rotationDue: row.rotation_due,
+      privateKey: row.active ? crypto.createPrivateKey(row.private_key) : null,
+      publicKey: crypto.createPublicKey({ key: row.public_jwk, format: 'jwk' }),
+      publicJwk: row.public_jwk,
+    }));
+  }
+
+  /**
+   * Создает новый активный ключ и выводит из работы предыдущий.
+   * @param {Object} [options] - { force: false } — без force ключ меняется, только если пора
+   */
+  async function rotate({ force = false } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [ROTATION_LOCK_ID]);
+
+      // Другой экземпляр мог уже сменить ключ, пока мы ждали блокировку
+      const current = await client.query(
+        `SELECT created_at < NOW() - $1 * INTERVAL '1 day' AS rotation_due
+         FROM signing_keys WHERE retired_at IS NULL`,
+        [rotationDays]
+      );
+      if (!force && current.rows.length > 0 && !current.rows[0].rotation_due) {
+        await client.query('COMMIT');
+        return;
+      }
+
+      const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const kid = crypto.randomUUID();
+      const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' };
+
+      await client.query('UPDATE signing_keys SET retired_at = NOW() WHERE retired_at IS NULL');
+      await client.query(
+        'INSERT INTO signing_keys (kid, private_key, public_jwk) VALUES ($1, $2, $3)',
+        [kid, privateKey.export({ format: 'pem', type: 'pkcs8' }), publicJwk]
+      );
+      await client.query('COMMIT');
+      console.log(`Signing key rotated, new kid ${kid}`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    await load();
+  }
+
+  /**
+   * Готовит таблицу и ключи при старте; создает первый ключ, если его нет
+   */
+  async function init() {
+    const client = await pool.connect();
+    try {
+      await initTable(client);
+    } finally {
+      client.release();
+    }
+    await load();
+    if (!keys.length || !keys[0].active || keys[0].rotationDue) {
+      await rotate();
+    }
+  }
+
+  // Плановая проверка: ротация по сроку и подхват ключей, созданных другими экземплярами
+  async function refresh() {
+    try {
+      await load();
+      if (!keys.length || !keys[0].active || keys[0].rotationDue) {
+        await rotate();
+      }
+    } catch (error) {
+      console.error('Signing keys refresh error:', error);
+    }
+  }
+
+  function getSigningKey() {
+    const key = keys[0];
+    if (!key || !key.active) {
+      throw new Error('Signing keys are not loaded');
+    }
+    return { kid: key.kid, privateKey: key.privateKey };
+  }
+
+  function getPublicKey(kid) {
+    const key = keys.find((candidate) => candidate.kid === kid);
+    return key ? key.publicKey : null;
+  }
+
+  function getJwks() {
+    return { keys: keys.map((key) => key.publicJwk) };
+  }
+
+  return { init, refresh, rotate, getSigningKey, getPublicKey, getJwks };
+}
+
+module.exports = { createKeyStore };
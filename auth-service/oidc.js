@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const jwt = require('jsonwebtoken');
+
+// Как часто перечитывать discovery-документ провайдера
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+// Не чаще этого интервала перечитываем JWKS при встрече неизвестного kid
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const randomString = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Генерирует параметры одной попытки входа: state, nonce и PKCE-пару
+ * @returns {{state: string, nonce: string, codeVerifier: string, codeChallenge: string}}
+ */
+function createLoginParams() {
+  const codeVerifier = randomString();
+  return {
+    state: randomString(),
+    nonce: randomString(),
+    codeVerifier,
+    codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+  };
+}
+
+/**
+ * Создает клиент OpenID Connect для authorization code flow с PKCE
+ * @param {Object} config - { issuer, clientId, clientSecret, redirectUri, scopes }
+ * @returns {Object} Клиент с методами getAuthorizationUrl, exchangeCode, verifyIdToken
+ */
+function createOidcClient({ issuer, clientId, clientSecret, redirectUri, scopes = 'openid email profile' }) {
+  const issuerUrl = issuer.replace(/\/$/, '');
+  let discovery = null;
+  let discoveredAt = 0;
+  let signingKeys = new Map();
+  let jwksFetchedAt = 0;
+
+  async function getDiscovery() {
+    if (discovery && Date.now() - discoveredAt < DISCOVERY_TTL_MS) {
+      return discovery;
+    }
+    const response = await fetch(`${issuerUrl}/.well-known/openid-configuration`);
+    if (!response.ok) {
+      throw new Error(`OIDC discovery failed with status ${response.status}`);
+    }
+    const document = await response.json();
+    if (document.issuer.replace(/\/$/, '') !== issuerUrl) {
+      throw new Error(`OIDC discovery issuer mismatch: ${document.issuer}`);
+    }
+    discovery = document;
+    discoveredAt = Date.now();
+    return discovery;
+  }
+
+  async function refreshSigningKeys() {
+    const { jwks_uri } = await getDiscovery();
+    const response = await fetch(jwks_uri);
+    if (!response.ok) {
+      throw new Error(`OIDC JWKS request failed with status ${response.status}`);
+    }
+    const { keys } = await response.json();
+    signingKeys = new Map(
+      keys
+        .filter((key) => !key.use || key.use === 'sig')
+        .map((key) => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })])
+    );
+    jwksFetchedAt = Date.now();
+  }
+
+  async function getSigningKey(kid) {
+    if (!signingKeys.has(kid) && Date.now() - jwksFetchedAt > JWKS_MIN_REFRESH_MS) {
+      await refreshSigningKeys();
+    }
+    const key = signingKeys.get(kid);
+    if (!key) {
+      throw new Error(`Unknown OIDC signing key: ${kid}`);
+    }
+    return key;
+  }
+
+  /**
+   * Строит адрес страницы входа провайдера
+   * @param {Object} params - { state, nonce, codeChallenge } из createLoginParams
+   * @returns {Promise<string>}
+   */
+  async function getAuthorizationUrl({ state, nonce, codeChallenge }) {
+    const { authorization_endpoint } = await getDiscovery();
+    const url = new URL(authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope: scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256',
+    }).toString();
+    return url.toString();
+  }
+
+  /**
+   * Обменивает код авторизации на токены провайдера
+   * @param {string} code - Код из callback
+   * @param {string} codeVerifier - PKCE verifier этой попытки входа
+   * @returns {Promise<Object>} Ответ token endpoint (id_token, access_token, ...)
+   */
+  async function exchangeCode(code, codeVerifier) {
+    const { token_endpoint, token_endpoint_auth_methods_supported: authMethods } = await getDiscovery();
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+    // По спецификации по умолчанию используется client_secret_basic
+    if (authMethods && !authMethods.includes('client_secret_basic') && authMethods.includes('client_secret_post')) {
+      body.set('client_id', clientId);
+      body.set('client_secret', clientSecret);
+    } else {
+      const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const response = await fetch(token_endpoint, { method: 'POST', headers, body: body.toString() });
+    if (!response.ok) {
+      throw new Error(`OIDC token request failed with status ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Проверяет подпись и утверждения ID-токена
+   * @param {string} idToken - ID-токен провайдера
+   * @param {string} nonce - nonce этой попытки входа
+   * @returns {Promise<Object>} Утверждения токена (sub, email, email_verified, ...)
+   */
+  async function verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('Malformed ID token');
+    }
+    const { issuer: expectedIssuer } = await getDiscovery();
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: expectedIssuer,
+      audience: clientId,
+    });
+    if (claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+    return claims;
+  }
+
+  return { issuer: issuerUrl, getAuthorizationUrl, exchangeCode, verifyIdToken };
+}
+
+/**
+ * Проверяет, можно ли привязать внешнюю учетную запись к локальному пользователю с тем же email.
+ * Адрес должны подтвердить обе стороны: иначе владелец почты, войдя через провайдера, получил бы доступ
+ * к учетной записи, которую кто-то заранее зарегистрировал на его адрес со своим паролем
+ * @param {Object} user - Локальный пользователь { email_verified }
+ * @param {Object} claims - Утверждения ID-токена
+ * @returns {string|null} Описание ошибки или null, если привязка разрешена
+ */
+function checkAccountLink(user, claims) {
+  if (claims.email_verified !== true) {
+    return 'An account with this email already exists';
+  }
+  if (user.email_verified !== true) {
+    return 'An account with this email exists but its email is not verified; sign in with the password and verify it first';
+  }
+  return null;
+}
+
+module.exports = { createOidcClient, createLoginParams, checkAccountLink };
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Запускает тестовый OpenID Connect провайдер на случайном порту: discovery, JWKS,
+ * страница входа, сразу возвращающая код, и token endpoint с проверкой PKCE и client_secret_basic.
+ * Утверждения ID-токена задаются через setClaims до входа
+ * @param {Object} [options] - { clientId, clientSecret }
+ * @returns {Promise<Object>} Провайдер { issuer, setClaims, close }
+ */
+async function startMockOidcProvider({ clientId = 'bookcrossing', clientSecret = 'secret' } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  // Выданные коды: code -> { nonce, codeChallenge, redirectUri }
+  const codes = new Map();
+  let claims = {};
+  let issuer;
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) => new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        token_endpoint_auth_methods_supported: ['client_secret_basic'],
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (url.pathname === '/authorize') {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        nonce: url.searchParams.get('nonce'),
+        codeChallenge: url.searchParams.get('code_challenge'),
+        redirectUri: url.searchParams.get('redirect_uri'),
+      });
+      const redirect = new URL(url.searchParams.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', url.searchParams.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const expectedAuth = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+      if (req.headers.authorization !== expectedAuth) {
+        return sendJson(res, 401, { error: 'invalid_client' });
+      }
+      const body = await readBody(req);
+      const grant = codes.get(body.get('code'));
+      codes.delete(body.get('code'));
+      const challenge = crypto.createHash('sha256').update(body.get('code_verifier') || '').digest('base64url');
+      if (!grant || grant.codeChallenge !== challenge || grant.redirectUri !== body.get('redirect_uri')) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+      const idToken = jwt.sign({ nonce: grant.nonce, ...claims }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        audience: clientId,
+        expiresIn: '5m',
+      });
+      return sendJson(res, 200, { id_token: idToken, access_token: 'mock-access-token', token_type: 'Bearer' });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    setClaims(value) {
+      claims = value;
+    },
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { createOidcClient, createLoginParams, checkAccountLink } = require('../oidc');
+const { startMockOidcProvider } = require('./mockOidcProvider');
+
+const REDIRECT_URI = 'http://localhost:3001/oauth/oidc/callback';
+
+let provider;
+let oidcClient;
+
+before(async () => {
+  provider = await startMockOidcProvider({ clientId: 'bookcrossing', clientSecret: 'secret' });
+  oidcClient = createOidcClient({
+    issuer: provider.issuer,
+    clientId: 'bookcrossing',
+    clientSecret: 'secret',
+    redirectUri: REDIRECT_URI,
+  });
+});
+
+after(() => provider.close());
+
+// Проходит страницу входа провайдера и возвращает код из перенаправления на callback
+async function authorize(params) {
+  const response = await fetch(await oidcClient.getAuthorizationUrl(params), { redirect: 'manual' });
+  const location = new URL(response.headers.get('location'));
+  assert.equal(location.searchParams.get('state'), params.state);
+  return location.searchParams.get('code');
+}
+
+test('authorization URL carries state, nonce and an S256 PKCE challenge', async () => {
+  const params = createLoginParams();
+  const url = new URL(await oidcClient.getAuthorizationUrl(params));
+
+  assert.equal(url.origin, provider.issuer);
+  assert.equal(url.searchParams.get('redirect_uri'), REDIRECT_URI);
+  assert.equal(url.searchParams.get('state'), params.state);
+  assert.equal(url.searchParams.get('nonce'), params.nonce);
+  assert.equal(url.searchParams.get('code_challenge'), params.codeChallenge);
+  assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+});
+
+test('code exchange returns a verified ID token with provider claims', async () => {
+  provider.setClaims({ sub: 'user-1', email: 'reader@example.com', email_verified: true });
+  const params = createLoginParams();
+  const tokens = await oidcClient.exchangeCode(await authorize(params), params.codeVerifier);
+  const claims = await oidcClient.verifyIdToken(tokens.id_token, params.nonce);
+
+  assert.equal(claims.sub, 'user-1');
+  assert.equal(claims.email, 'reader@example.com');
+  assert.equal(claims.email_verified, true);
+});
+
+test('ID token with another nonce is rejected', async () => {
+  provider.setClaims({ sub: 'user-1' });
+  const params = createLoginParams();
+  const tokens = await oidcClient.exchangeCode(await authorize(params), params.codeVerifier);
+
+  await assert.rejects(oidcClient.verifyIdToken(tokens.id_token, 'another-nonce'), /nonce mismatch/);
+});
+
+test('code exchange fails without the matching PKCE verifier', async () => {
+  const params = createLoginParams();
+  const code = await authorize(params);
+
+  await assert.rejects(oidcClient.exchangeCode(code, createLoginParams().codeVerifier), /status 400/);
+});
+
+test('ID token issued for another client is rejected', async () => {
+  const otherClient = createOidcClient({
+    issuer: provider.issuer,
+    clientId: 'another-client',
+    clientSecret: 'secret',
+    redirectUri: REDIRECT_URI,
+  });
+  provider.setClaims({ sub: 'user-1' });
+  const params = createLoginParams();
+  const tokens = await oidcClient.exchangeCode(await authorize(params), params.codeVerifier);
+
+  await assert.rejects(otherClient.verifyIdToken(tokens.id_token, params.nonce), /audience invalid/);
+});
+
+test('accounts are linked only when both sides verified the email', () => {
+  const verified = { email_verified: true };
+  const unverified = { email_verified: false };
+
+  assert.equal(checkAccountLink(verified, { email_verified: true }), null);
+  assert.match(checkAccountLink(verified, { email_verified: false }), /already exists/);
+  assert.match(checkAccountLink(verified, {}), /already exists/);
+  assert.match(checkAccountLink(unverified, { email_verified: true }), /not verified/);
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const LOOKUP_TIMEOUT_MS = parseInt(process.env.BIBLIOGRAPHY_TIMEOUT_MS || '5000', 10);
+
+/**
+ * Достает год из произвольной даты издания ("2005", "March 2005", "2005-03-01")
+ * @param {string|number} value - Дата издания от провайдера
+ * @returns {number|null}
+ */
+function parseYear(value) {
+  const match = value && String(value).match(/\d{4}/);
+  return match ? Number(match[0]) : null;
+}
+
+/**
+ * Фабрики провайдеров библиографических данных. Провайдер — объект с методом
+ * lookup(isbn), который по ISBN-13 возвращает Promise с описанием
+ * { title, author, publication_year, page_count, cover_url } или null, если издание не найдено
+ */
+const providers = {
+  // Open Library Books API
+  openlibrary: ({ baseUrl = process.env.OPENLIBRARY_URL || 'https://openlibrary.org' } = {}) => ({
+    async lookup(isbn) {
+      const url = `${baseUrl}/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`;
+      const response = await fetch(url, { timeout: LOOKUP_TIMEOUT_MS });
+      if (!response.ok) {
+        throw new Error(`Open Library request failed with status ${response.status}`);
+      }
+      const entry = (await response.json())[`ISBN:${isbn}`];
+      if (!entry || !entry.title) return null;
+
+      return {
+        title: entry.subtitle ? `${entry.title}. ${entry.subtitle}` : entry.title,
+        author: (entry.authors || []).map((author) => author.name).join(', ') || null,
+        publication_year: parseYear(entry.publish_date),
+        page_count: entry.number_of_pages || null,
+        cover_url: (entry.cover && (entry.cover.large || entry.cover.medium)) || null,
+      };
+    },
+  }),
+
+  // JSON-файлы <isbn>.json из каталога — для тестов и работы без сети
+  fixture: ({ fixturesDir = process.env.BIBLIOGRAPHY_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'bibliography') } = {}) => ({
+    async lookup(isbn) {
+      try {
+        const content = await fs.promises.readFile(path.join(fixturesDir, `${isbn}.json`), 'utf8');
+        const entry = JSON.parse(content);
+        return {
+          title: entry.title,
+          author: entry.author || null,
+          publication_year: entry.publication_year || null,
+          page_count: entry.page_count || null,
+          cover_url: entry.cover_url || null,
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+  }),
+};
+
+/**
+ * Создает клиент выбранного провайдера
+ * @param {string} [name] - Имя провайдера, по умолчанию BIBLIOGRAPHY_PROVIDER или openlibrary
+ * @param {Object} [options] - Параметры провайдера
+ * @returns {{name: string, lookup: Function}}
+ */
+function createBibliographyProvider(name = process.env.BIBLIOGRAPHY_PROVIDER || 'openlibrary', options) {
+  const factory = providers[name];
+  if (!factory) {
+    throw new Error(`Unknown bibliography provider: ${name}`);
+  }
+  const provider = factory(options);
+  return { name, lookup: (isbn) => provider.lookup(isbn) };
+}
+
+module.exports = { createBibliographyProvider };
@@ -0,0 +1,68 @@
+/**
+ * Статусы книги:
+ *  - available — доступна для обмена и видна в каталоге;
+ *  - reserved — по книге одобрена заявка, обмен еще не начался;
+ *  - lent — книга выдана на время;
+ *  - unavailable — владелец временно убрал книгу из каталога;
+ *  - archived — книга выведена из оборота (в том числе при удалении аккаунта владельца)
+ */
+const BOOK_STATUSES = ['available', 'reserved', 'lent', 'unavailable', 'archived'];
+
+// Статусы, которые выставляет процесс обмена; владелец не может входить в них и выходить из них вручную
+const EXCHANGE_STATUSES = ['reserved', 'lent'];
+
+// Допустимые переходы: из статуса -> в статусы
+const TRANSITIONS = {
+  available: ['reserved', 'lent', 'unavailable', 'archived'],
+  reserved: ['available', 'lent'],
+  lent: ['available'],
+  unavailable: ['available', 'archived'],
+  archived: ['available'],
+};
+
+// Книги в этих статусах участвуют в обмене, их нельзя удалять
+const LOCKED_STATUSES = EXCHANGE_STATUSES;
+
+const isValidStatus = (status) => BOOK_STATUSES.includes(status);
+
+/**
+ * Проверяет, разрешен ли переход между статусами
+ * @param {string} from - Текущий статус
+ * @param {string} to - Новый статус
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+
+/**
+ * Проверяет переход, который владелец запрашивает вручную
+ * @param {string} from - Текущий статус
+ * @param {string} to - Новый статус
+ * @returns {string|null} Описание ошибки или null, если переход разрешен
+ */
+function checkManualTransition(from, to) {
+  if (EXCHANGE_STATUSES.includes(from) || EXCHANGE_STATUSES.includes(to)) {
+    return `Status ${EXCHANGE_STATUSES.includes(from) ? from : to} is managed by exchanges and cannot be set manually`;
+  }
+  if (!canTransition(from, to)) {
+    return `Cannot change status from ${from} to ${to}`;
+  }
+  return null;
+}
+
+/**
+ * Статусы, в которые владелец может перевести книгу вручную
+ * @param {string} from - Текущий статус
+ * @returns {string[]}
+ */
+const manualTransitions = (from) => (TRANSITIONS[from] || []).filter((to) => !checkManualTransition(from, to));
+
+module.exports = {
+  BOOK_STATUSES,
+  EXCHANGE_STATUSES,
+  LOCKED_STATUSES,
+  TRANSITIONS,
+  isValidStatus,
+  canTransition,
+  checkManualTransition,
+  manualTransitions,
+};
@@ -0,0 +1,100 @@
+// Значения с этих символов табличный редактор принимает за формулу
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Разбирает CSV по RFC 4180: поля в кавычках, удвоенные кавычки, переводы строк внутри полей, CRLF и BOM
+ * @param {string} text - Содержимое CSV
+ * @param {string} [delimiter] - Разделитель полей
+ * @returns {string[][]} Строки файла в виде массивов полей; пустые строки пропускаются
+ */
+function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+/**
+ * Экранирует значение для CSV. Значения, которые табличный редактор принял бы за формулу,
+ * предваряются апострофом
+ * @param {*} value - Значение ячейки
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Снимает апостроф, добавленный escapeCsvValue, чтобы выгруженный файл загружался обратно без изменений
+ * @param {string} value - Значение поля из parseCsv
+ * @returns {string}
+ */
+function unescapeCsvValue(value) {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
+
+/**
+ * Разбирает CSV со строкой заголовка в записи { колонка: значение }
+ * @param {string} text - Содержимое CSV
+ * @returns {Object[]|null} Записи или null, если в файле нет заголовка и хотя бы одной строки
+ */
+function parseCsvRecords(text) {
+  const rows = parseCsv(text);
+  if (rows.length < 2) return null;
+  const [header, ...body] = rows;
+  return body.map((values) => Object.fromEntries(
+    header.map((column, index) => [column, values[index] === undefined ? undefined : unescapeCsvValue(values[index])])
+  ));
+}
+
+/**
+ * Формирует CSV с заголовком
+ * @param {string[]} columns - Названия колонок, они же ключи объектов
+ * @param {Object[]} records - Записи
+ * @returns {string}
+ */
+function toCsv(columns, records) {
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map((column) => escapeCsvValue(record[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = { parseCsv, parseCsvRecords, toCsv };
@@ -0,0 +1,70 @@
+/**
+ * Убирает из ISBN дефисы и пробелы, приводит контрольный символ X к верхнему регистру
+ * @param {string} value - ISBN в любом написании, например "978-5-17-090630-2"
+ * @returns {string}
+ */
+function cleanIsbn(value) {
+  return String(value).replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Проверяет контрольную цифру ISBN-10 (последний символ может быть X = 10)
+ * @param {string} isbn - Очищенный ISBN из 10 символов
+ * @returns {boolean}
+ */
+function isValidIsbn10(isbn) {
+  if (!/^\d{9}[\dX]$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 10; i++) {
+    const digit = isbn[i] === 'X' ? 10 : Number(isbn[i]);
+    sum += digit * (10 - i);
+  }
+  return sum % 11 === 0;
+}
+
+/**
+ * Проверяет контрольную цифру ISBN-13 (веса 1 и 3 попеременно)
+ * @param {string} isbn - Очищенный ISBN из 13 цифр
+ * @returns {boolean}
+ */
+function isValidIsbn13(isbn) {
+  if (!/^97[89]\d{10}$/.test(isbn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 13; i++) {
+    sum += Number(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Переводит ISBN-10 в ISBN-13 с префиксом 978
+ * @param {string} isbn10 - Корректный очищенный ISBN-10
+ * @returns {string}
+ */
+function isbn10To13(isbn10) {
+  const body = `978${isbn10.slice(0, 9)}`;
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(body[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return `${body}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Проверяет ISBN-10 или ISBN-13 и приводит его к ISBN-13 без разделителей,
+ * чтобы одно издание хранилось и искалось в одном виде
+ * @param {string} value - ISBN из запроса
+ * @returns {string|null} ISBN-13 или null, если ISBN некорректен
+ */
+function normalizeIsbn(value) {
+  const isbn = cleanIsbn(value);
+  if (isbn.length === 10) {
+    return isValidIsbn10(isbn) ? isbn10To13(isbn) : null;
+  }
+  if (isbn.length === 13) {
+    return isValidIsbn13(isbn) ? isbn : null;
+  }
+  return null;
+}
+
+module.exports = { normalizeIsbn, isValidIsbn10, isValidIsbn13 };
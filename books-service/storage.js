@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Фабрики хранилищ загруженных файлов. Хранилище — объект с методами
+ * put(key, buffer, contentType) и remove(key), возвращающими Promise,
+ * и url(key), возвращающим публичный адрес файла
+ */
+const drivers = {
+  // Локальный каталог; файлы раздает сам сервис по MEDIA_BASE_URL
+  local: ({
+    rootDir = process.env.MEDIA_DIR || path.join(__dirname, 'media'),
+    baseUrl = process.env.MEDIA_BASE_URL || '/media',
+  } = {}) => ({
+    rootDir,
+    async put(key, buffer) {
+      const filePath = path.join(rootDir, key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+    async remove(key) {
+      await fs.promises.rm(path.join(rootDir, key), { force: true });
+    },
+    url: (key) => `${baseUrl.replace(/\/$/, '')}/${key}`,
+  }),
+
+  // S3-совместимое хранилище (AWS S3, MinIO, Yandex Object Storage)
+  s3: ({
+    bucket = process.env.S3_BUCKET,
+    region = process.env.S3_REGION || 'us-east-1',
+    endpoint = process.env.S3_ENDPOINT || undefined,
+    publicUrl = process.env.S3_PUBLIC_URL,
+  } = {}) => {
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+    // Пакет необязательный и нужен только этому драйверу
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const s3 = new S3Client({ region, endpoint, forcePathStyle: Boolean(endpoint) });
+    const baseUrl = publicUrl || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+    return {
+      async put(key, buffer, contentType) {
+        await s3.send(new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          CacheControl: 'public, max-age=31536000, immutable',
+        }));
+      },
+      async remove(key) {
+        await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+      url: (key) => `${baseUrl.replace(/\/$/, '')}/${key}`,
+    };
+  },
+};
+
+/**
+ * Создает хранилище выбранного драйвера
+ * @param {string} [name] - Имя драйвера, по умолчанию STORAGE_DRIVER или local
+ * @param {Object} [options] - Параметры драйвера
+ * @returns {Object} Хранилище с методами put, remove, url (у local также rootDir)
+ */
+function createStorage(name = process.env.STORAGE_DRIVER || 'local', options) {
+  const factory = drivers[name];
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+  return { name, ...factory(options) };
+}
+
+module.exports = { createStorage };
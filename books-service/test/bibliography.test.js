@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBibliographyProvider } = require('../bibliography');
+const { normalizeIsbn } = require('../isbn');
+
+const fixtures = createBibliographyProvider('fixture');
+
+test('fixture provider returns the shipped edition by ISBN-13', async () => {
+  assert.deepEqual(await fixtures.lookup('9780441172719'), {
+    title: 'Dune',
+    author: 'Frank Herbert',
+    publication_year: 1990,
+    page_count: 535,
+    cover_url: 'https://covers.openlibrary.org/b/id/11481354-L.jpg',
+  });
+});
+
+test('ISBN-10 with dashes is looked up as the normalized ISBN-13', async () => {
+  const book = await fixtures.lookup(normalizeIsbn('0-441-17271-7'));
+
+  assert.equal(book.title, 'Dune');
+});
+
+test('missing optional fields come back as null', async () => {
+  const book = await fixtures.lookup('9785389062566');
+
+  assert.equal(book.title, 'Война и мир');
+  assert.equal(book.author, 'Лев Толстой');
+  assert.equal(book.cover_url, null);
+});
+
+test('unknown ISBN is reported as not found', async () => {
+  assert.equal(await fixtures.lookup('9780000000002'), null);
+});
+
+test('broken fixture is reported as a provider error', async () => {
+  const fixturesDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'bibliography-'));
+  try {
+    await fs.promises.writeFile(path.join(fixturesDir, '9780441172719.json'), '{');
+    const provider = createBibliographyProvider('fixture', { fixturesDir });
+
+    await assert.rejects(provider.lookup('9780441172719'), SyntaxError);
+  } finally {
+    await fs.promises.rm(fixturesDir, { recursive: true, force: true });
+  }
+});
+
+test('unknown provider name is rejected', () => {
+  assert.throws(() => createBibliographyProvider('nonexistent'), /Unknown bibliography provider: nonexistent/);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  BOOK_STATUSES,
+  TRANSITIONS,
+  LOCKED_STATUSES,
+  isValidStatus,
+  canTransition,
+  checkManualTransition,
+  manualTransitions,
+} = require('../bookStatus');
+
+test('every status has a transition list and transitions lead to known statuses', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...BOOK_STATUSES].sort());
+  for (const targets of Object.values(TRANSITIONS)) {
+    assert.ok(targets.every(isValidStatus));
+  }
+});
+
+test('unknown statuses are rejected', () => {
+  assert.equal(isValidStatus('available'), true);
+  assert.equal(isValidStatus('exchanged'), false);
+  assert.equal(isValidStatus(undefined), false);
+});
+
+test('exchange transitions follow the lifecycle', () => {
+  assert.equal(canTransition('available', 'reserved'), true);
+  assert.equal(canTransition('reserved', 'lent'), true);
+  assert.equal(canTransition('lent', 'available'), true);
+  assert.equal(canTransition('lent', 'archived'), false);
+  assert.equal(canTransition('unknown', 'available'), false);
+});
+
+test('owner can switch between catalogue statuses', () => {
+  assert.equal(checkManualTransition('available', 'unavailable'), null);
+  assert.equal(checkManualTransition('unavailable', 'archived'), null);
+  assert.equal(checkManualTransition('archived', 'available'), null);
+});
+
+test('statuses managed by exchanges cannot be entered or left manually', () => {
+  assert.match(checkManualTransition('available', 'reserved'), /reserved is managed by exchanges/);
+  assert.match(checkManualTransition('lent', 'available'), /lent is managed by exchanges/);
+});
+
+test('transitions outside the lifecycle are reported', () => {
+  assert.equal(checkManualTransition('archived', 'unavailable'), 'Cannot change status from archived to unavailable');
+});
+
+test('manual transitions list only what the owner may choose', () => {
+  assert.deepEqual(manualTransitions('available'), ['unavailable', 'archived']);
+  assert.deepEqual(manualTransitions('reserved'), []);
+  assert.deepEqual(manualTransitions('unknown'), []);
+});
+
+test('books taking part in an exchange are locked', () => {
+  assert.deepEqual([...LOCKED_STATUSES].sort(), ['lent', 'reserved']);
+});
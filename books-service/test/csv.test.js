@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseCsvRecords, toCsv } = require('../csv');
+
+test('quoted fields keep delimiters, doubled quotes and line breaks', () => {
+  const rows = parseCsv('title,author\r\n"Dune, part one","Frank ""Frank"" Herbert"\r\n"War\nand Peace",Tolstoy\r\n');
+
+  assert.deepEqual(rows, [
+    ['title', 'author'],
+    ['Dune, part one', 'Frank "Frank" Herbert'],
+    ['War\nand Peace', 'Tolstoy'],
+  ]);
+});
+
+test('BOM, empty lines and a missing final line break are ignored', () => {
+  const rows = parseCsv('\uFEFFtitle,author\n\nDune,Herbert');
+
+  assert.deepEqual(rows, [['title', 'author'], ['Dune', 'Herbert']]);
+});
+
+test('custom delimiter is supported', () => {
+  assert.deepEqual(parseCsv('title;author\nDune;Herbert', ';'), [['title', 'author'], ['Dune', 'Herbert']]);
+});
+
+test('values that look like formulas are prefixed with an apostrophe', () => {
+  const csv = toCsv(['title'], [{ title: '=HYPERLINK("http://example.com")' }, { title: '-5 tips' }, { title: '@home' }, { title: '+1' }]);
+
+  assert.equal(csv, 'title\r\n"\'=HYPERLINK(""http://example.com"")"\r\n\'-5 tips\r\n\'@home\r\n\'+1\r\n');
+});
+
+test('null values are exported as empty cells', () => {
+  assert.equal(toCsv(['title', 'isbn'], [{ title: 'Dune', isbn: null }]), 'title,isbn\r\nDune,\r\n');
+});
+
+test('exported file is imported back unchanged', () => {
+  const columns = ['title', 'author', 'description', 'page_count'];
+  const books = [
+    { title: '=SUM(A1:A2)', author: '@author', description: 'Line one\nline "two", three', page_count: 412 },
+    { title: '-1 chapter', author: '+Plus', description: '\tindented', page_count: null },
+    { title: "'quoted", author: 'Plain', description: '', page_count: 0 },
+  ];
+
+  const records = parseCsvRecords(toCsv(columns, books));
+
+  assert.deepEqual(records, books.map((book) => Object.fromEntries(
+    columns.map((column) => [column, book[column] === null ? '' : String(book[column])])
+  )));
+});
+
+test('short rows leave missing columns undefined', () => {
+  assert.deepEqual(parseCsvRecords('title,author\nDune'), [{ title: 'Dune', author: undefined }]);
+});
+
+test('file without data rows is rejected', () => {
+  assert.equal(parseCsvRecords('title,author\r\n'), null);
+});
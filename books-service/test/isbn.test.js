@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeIsbn, isValidIsbn10, isValidIsbn13 } = require('../isbn');
+
+test('ISBN-10 check digit is verified, X counts as ten', () => {
+  assert.equal(isValidIsbn10('0441172717'), true);
+  assert.equal(isValidIsbn10('080442957X'), true);
+  assert.equal(isValidIsbn10('0441172718'), false);
+  assert.equal(isValidIsbn10('X441172717'), false);
+});
+
+test('ISBN-13 check digit is verified and only the 978/979 prefixes are accepted', () => {
+  assert.equal(isValidIsbn13('9780441172719'), true);
+  assert.equal(isValidIsbn13('9780441172710'), false);
+  assert.equal(isValidIsbn13('1234567890128'), false);
+});
+
+test('ISBN-10 is normalized to ISBN-13', () => {
+  assert.equal(normalizeIsbn('0441172717'), '9780441172719');
+  assert.equal(normalizeIsbn('0-8044-2957-x'), '9780804429573');
+});
+
+test('dashes and spaces are removed from ISBN-13', () => {
+  assert.equal(normalizeIsbn('978-5-17-090630-7'), '9785170906307');
+  assert.equal(normalizeIsbn(' 978 0441172719 '), '9780441172719');
+});
+
+test('invalid ISBNs normalize to null', () => {
+  assert.equal(normalizeIsbn('0441172718'), null);
+  assert.equal(normalizeIsbn('97804411727'), null);
+  assert.equal(normalizeIsbn('not an isbn'), null);
+});
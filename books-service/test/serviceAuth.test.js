@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createServiceAuth } = require('../../shared/serviceAuth');
+
+const AUTH_SERVICE_URL = 'http://auth-service.test';
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'key-1' };
+
+const signToken = (claims) => jwt.sign(claims, privateKey, { algorithm: 'RS256', keyid: 'key-1', expiresIn: '15m' });
+
+/**
+ * Поддельный auth-service: JWKS отдается всегда, ответ /validate задает тест
+ * @param {Function} validate - () => { valid, user } или выбрасывает ошибку, если auth-service недоступен
+ */
+function createFetch(validate) {
+  const calls = { validate: 0 };
+  const fetch = async (url) => {
+    if (url === `${AUTH_SERVICE_URL}/.well-known/jwks.json`) {
+      return { ok: true, json: async () => ({ keys: [jwk] }) };
+    }
+    calls.validate += 1;
+    const body = validate();
+    return { ok: true, json: async () => body };
+  };
+  return { fetch, calls };
+}
+
+test('active session resolves to the user returned by /validate', async () => {
+  const { fetch } = createFetch(() => ({ valid: true, user: { id: 1, sid: 's1', role: 'admin' } }));
+  const auth = createServiceAuth({ authServiceUrl: AUTH_SERVICE_URL, jwt, fetch });
+
+  const result = await auth.authenticateToken(signToken({ id: 1, sid: 's1', role: 'user' }));
+
+  assert.equal(result.user.role, 'admin');
+});
+
+test('revoked session is rejected with 401', async () => {
+  const { fetch } = createFetch(() => ({ valid: false }));
+  const auth = createServiceAuth({ authServiceUrl: AUTH_SERVICE_URL, jwt, fetch });
+
+  assert.deepEqual(await auth.authenticateToken(signToken({ id: 1, sid: 's1' })), { status: 401, error: 'Invalid token' });
+});
+
+test('token with a foreign signature is rejected', async () => {
+  const { fetch } = createFetch(() => ({ valid: true, user: { id: 1 } }));
+  const auth = createServiceAuth({ authServiceUrl: AUTH_SERVICE_URL, jwt, fetch });
+  const other = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  const token = jwt.sign({ id: 1, sid: 's1' }, other, { algorithm: 'RS256', keyid: 'key-1' });
+
+  assert.equal((await auth.authenticateToken(token)).status, 401);
+});
+
+test('unreachable auth-service fails closed by default', async () => {
+  const { fetch } = createFetch(() => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  const auth = createServiceAuth({ authServiceUrl: AUTH_SERVICE_URL, jwt, fetch });
+
+  assert.equal((await auth.authenticateToken(signToken({ id: 1, sid: 's1' }))).status, 503);
+});
+
+test('unreachable auth-service trusts the token only with explicit fail-open', async () => {
+  const { fetch } = createFetch(() => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  const auth = createServiceAuth({ authServiceUrl: AUTH_SERVICE_URL, jwt, fetch, failOpen: true });
+
+  const result = await auth.authenticateToken(signToken({ id: 1, sid: 's1' }));
+
+  assert.equal(result.user.id, 1);
+});
+
+test('session answers are cached until the user sessions change', async () => {
+  let valid = true;
+  const { fetch, calls } = createFetch(() => (valid ? { valid, user: { id: 1, sid: 's1' } } : { valid }));
+  const auth = createServiceAuth({ authServiceUrl: AUTH_SERVICE_URL, jwt, fetch });
+  const token = signToken({ id: 1, sid: 's1' });
+
+  await auth.authenticateToken(token);
+  valid = false;
+  assert.ok((await auth.authenticateToken(token)).user);
+  assert.equal(calls.validate, 1);
+
+  auth.invalidateUserSessions(1);
+  assert.equal((await auth.authenticateToken(token)).status, 401);
+  assert.equal(calls.validate, 2);
+});
@@ -0,0 +1,73 @@
+/**
+ * Статусы заявки на обмен:
+ *  - pending — ожидает ответа получателя (после встречного предложения — отправителя);
+ *  - approved — заявка одобрена, книги зарезервированы;
+ *  - rejected — отклонена стороной, от которой ждали ответа;
+ *  - cancelled — отменена отправителем, модератором или при удалении аккаунта участника;
+ *  - expired — ответа не было дольше EXCHANGE_PENDING_TTL_DAYS дней;
+ *  - completed — обмен состоялся; выданная на время книга находится у заемщика;
+ *  - disputed — участник сообщил о проблеме с одобренным обменом или книги заявки не удалось
+ *    зарезервировать либо передать; решение принимает модератор;
+ *  - returned — выданная на время книга возвращена владельцу
+ */
+const EXCHANGE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled', 'expired', 'completed', 'disputed', 'returned'];
+
+// Допустимые переходы: из статуса -> в статусы. Кроме них только система переводит completed -> disputed,
+// если books-service не смог передать книги завершенной заявки (событие EXCHANGE_BOOKS_FAILED)
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled', 'expired'],
+  approved: ['completed', 'cancelled', 'disputed'],
+  disputed: ['completed', 'cancelled'],
+  completed: ['returned'],
+  rejected: [],
+  cancelled: [],
+  expired: [],
+  returned: [],
+};
+
+// Заявки в этих статусах еще не закрыты: по ним возможны действия участников
+const OPEN_STATUSES = ['pending', 'approved', 'disputed'];
+
+// Статус, в который перешла заявка -> тип события для других сервисов
+const STATUS_EVENTS = {
+  approved: 'EXCHANGE_APPROVED',
+  rejected: 'EXCHANGE_REJECTED',
+  cancelled: 'EXCHANGE_CANCELLED',
+  expired: 'EXCHANGE_EXPIRED',
+  completed: 'EXCHANGE_COMPLETED',
+  disputed: 'EXCHANGE_DISPUTED',
+  returned: 'EXCHANGE_RETURNED',
+};
+
+/**
+ * Проверяет, разрешен ли переход между статусами
+ * @param {string} from - Текущий статус
+ * @param {string} to - Новый статус
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => Boolean(TRANSITIONS[from] && TRANSITIONS[from].includes(to));
+
+/**
+ * Проверяет переход с учетом вида заявки: вернуть можно только книгу, выданную на время
+ * @param {Object} request - Заявка { status, type }
+ * @param {string} to - Новый статус
+ * @returns {string|null} Описание ошибки или null, если переход разрешен
+ */
+function checkTransition(request, to) {
+  if (!canTransition(request.status, to)) {
+    return `Cannot change status from ${request.status} to ${to}`;
+  }
+  if (to === 'returned' && request.type !== 'loan') {
+    return 'Only loans can be returned';
+  }
+  return null;
+}
+
+module.exports = {
+  EXCHANGE_STATUSES,
+  OPEN_STATUSES,
+  STATUS_EVENTS,
+  TRANSITIONS,
+  canTransition,
+  checkTransition,
+};
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EXCHANGE_STATUSES,
+  OPEN_STATUSES,
+  STATUS_EVENTS,
+  TRANSITIONS,
+  canTransition,
+  checkTransition,
+} = require('../exchangeStatus');
+
+test('every status has a transition list and transitions lead to known statuses', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...EXCHANGE_STATUSES].sort());
+  for (const targets of Object.values(TRANSITIONS)) {
+    assert.ok(targets.every((status) => EXCHANGE_STATUSES.includes(status)));
+  }
+});
+
+test('every status a request can move to has an event', () => {
+  const targets = new Set(Object.values(TRANSITIONS).flat());
+
+  assert.deepEqual(Object.keys(STATUS_EVENTS).sort(), [...targets].sort());
+  assert.equal(STATUS_EVENTS.completed, 'EXCHANGE_COMPLETED');
+});
+
+test('requests follow the exchange lifecycle', () => {
+  assert.equal(canTransition('pending', 'approved'), true);
+  assert.equal(canTransition('approved', 'completed'), true);
+  assert.equal(canTransition('disputed', 'cancelled'), true);
+  assert.equal(canTransition('completed', 'returned'), true);
+  assert.equal(canTransition('pending', 'completed'), false);
+  assert.equal(canTransition('completed', 'disputed'), false);
+  assert.equal(canTransition('unknown', 'approved'), false);
+});
+
+test('closed requests cannot change status', () => {
+  for (const status of ['rejected', 'cancelled', 'expired', 'returned']) {
+    assert.deepEqual(TRANSITIONS[status], []);
+  }
+});
+
+test('only pending, approved and disputed requests are open', () => {
+  assert.deepEqual([...OPEN_STATUSES].sort(), ['approved', 'disputed', 'pending']);
+});
+
+test('transitions outside the lifecycle are reported', () => {
+  assert.equal(checkTransition({ status: 'rejected', type: 'transfer' }, 'approved'), 'Cannot change status from rejected to approved');
+  assert.equal(checkTransition({ status: 'pending', type: 'swap' }, 'approved'), null);
+});
+
+test('only loans can be returned', () => {
+  assert.equal(checkTransition({ status: 'completed', type: 'loan' }, 'returned'), null);
+  assert.equal(checkTransition({ status: 'completed', type: 'transfer' }, 'returned'), 'Only loans can be returned');
+  assert.equal(checkTransition({ status: 'completed', type: 'swap' }, 'returned'), 'Only loans can be returned');
+});
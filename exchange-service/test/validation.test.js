@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SWAP_MAX_BOOKS,
+  today,
+  addDays,
+  checkDueDate,
+  checkSwapBooks,
+  checkRequestBookStates,
+  checkReview,
+} = require('../validation');
+
+test('review with only a partner rating is accepted', () => {
+  assert.equal(checkReview({ partner_rating: 5 }), null);
+  assert.equal(checkReview({ partner_rating: 1, book_rating: null, comment: null }), null);
+});
+
+test('ratings must be integers from 1 to 5', () => {
+  assert.equal(checkReview({}), 'partner_rating must be an integer from 1 to 5');
+  assert.equal(checkReview({ partner_rating: 6 }), 'partner_rating must be an integer from 1 to 5');
+  assert.equal(checkReview({ partner_rating: '5' }), 'partner_rating must be an integer from 1 to 5');
+  assert.equal(checkReview({ partner_rating: 4, book_rating: 4.5 }), 'book_rating must be an integer from 1 to 5');
+});
+
+test('comment is limited to 1000 characters', () => {
+  assert.equal(checkReview({ partner_rating: 4, comment: 'a'.repeat(1000) }), null);
+  assert.equal(checkReview({ partner_rating: 4, comment: 'a'.repeat(1001) }), 'comment must be a string of at most 1000 characters');
+  assert.equal(checkReview({ partner_rating: 4, comment: 42 }), 'comment must be a string of at most 1000 characters');
+});
+
+test('dates are shifted across month and year boundaries', () => {
+  assert.equal(addDays('2024-02-28', 1), '2024-02-29');
+  assert.equal(addDays('2023-12-31', 1), '2024-01-01');
+  assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+});
+
+test('due date within the allowed period is accepted', () => {
+  assert.equal(checkDueDate(addDays(today(), 1), today(), 90), null);
+  assert.equal(checkDueDate(addDays(today(), 90), today(), 90), null);
+});
+
+test('due date must be a real calendar date in YYYY-MM-DD format', () => {
+  const formatError = 'due_date must be a date in YYYY-MM-DD format';
+
+  assert.equal(checkDueDate('2030-02-30', today(), 90), formatError);
+  assert.equal(checkDueDate('01.02.2030', today(), 90), formatError);
+  assert.equal(checkDueDate(20300101, today(), 90), formatError);
+  assert.equal(checkDueDate(undefined, today(), 90), formatError);
+});
+
+test('due date must be after the given date and within the maximum period', () => {
+  const latest = addDays(today(), 90);
+  const rangeError = `due_date must be after ${today()} and no later than ${latest}`;
+
+  assert.equal(checkDueDate(today(), today(), 90), rangeError);
+  assert.equal(checkDueDate(addDays(today(), 91), today(), 90), rangeError);
+});
+
+test('extension must move the due date forward', () => {
+  const current = addDays(today(), 10);
+
+  assert.match(checkDueDate(current, current, 90), /must be after/);
+  assert.equal(checkDueDate(addDays(current, 1), current, 90), null);
+});
+
+test('swap with books on both sides is accepted', () => {
+  assert.deepEqual(checkSwapBooks({ offered_book_ids: [1, 2], requested_book_ids: [3] }), { offered: [1, 2], requested: [3] });
+});
+
+test('each side of a swap must list 1 to the maximum number of book IDs', () => {
+  const tooMany = Array.from({ length: SWAP_MAX_BOOKS + 1 }, (_, index) => index + 10);
+  const offeredError = `offered_book_ids must be an array of 1 to ${SWAP_MAX_BOOKS} book IDs`;
+
+  assert.deepEqual(checkSwapBooks({ requested_book_ids: [1] }), { error: offeredError });
+  assert.deepEqual(checkSwapBooks({ offered_book_ids: [], requested_book_ids: [1] }), { error: offeredError });
+  assert.deepEqual(checkSwapBooks({ offered_book_ids: '1', requested_book_ids: [1] }), { error: offeredError });
+  assert.deepEqual(checkSwapBooks({ offered_book_ids: tooMany, requested_book_ids: [1] }), { error: offeredError });
+  assert.deepEqual(checkSwapBooks({ offered_book_ids: [1], requested_book_ids: [] }), {
+    error: `requested_book_ids must be an array of 1 to ${SWAP_MAX_BOOKS} book IDs`,
+  });
+});
+
+test('book IDs must be positive integers', () => {
+  for (const id of [0, -1, 1.5, '2', null]) {
+    assert.match(checkSwapBooks({ offered_book_ids: [1], requested_book_ids: [id] }).error, /^requested_book_ids must be an array/);
+  }
+});
+
+test('book IDs must not repeat on one side', () => {
+  assert.deepEqual(checkSwapBooks({ offered_book_ids: [1, 1], requested_book_ids: [2] }), {
+    error: 'offered_book_ids must not contain duplicates',
+  });
+});
+
+test('the same book cannot be on both sides of a swap', () => {
+  assert.deepEqual(checkSwapBooks({ offered_book_ids: [1, 2], requested_book_ids: [2, 3] }), {
+    error: 'The same book cannot be both offered and requested',
+  });
+});
+
+const parties = { senderId: 1, recipientId: 2 };
+const book = (id, owner_id, status = 'available') => ({ id, owner_id, status });
+
+test('available books of the right owners pass the check', () => {
+  const books = [book(10, 2), book(20, 1)];
+
+  assert.equal(checkRequestBookStates(parties, { requested: [10], offered: [20] }, books), null);
+  assert.equal(checkRequestBookStates(parties, { requested: [10] }, [book(10, 2)]), null);
+});
+
+test('missing book is reported', () => {
+  assert.deepEqual(checkRequestBookStates(parties, { requested: [10], offered: [20] }, [book(10, 2), null]), {
+    status: 422, code: 'BOOK_NOT_FOUND', error: 'Book 20 not found',
+  });
+});
+
+test('sender cannot request their own book', () => {
+  assert.equal(checkRequestBookStates(parties, { requested: [10] }, [book(10, 1)]).code, 'OWN_BOOK');
+});
+
+test('requested books must belong to the recipient', () => {
+  assert.deepEqual(checkRequestBookStates(parties, { requested: [10] }, [book(10, 3)]), {
+    status: 422, code: 'RECIPIENT_NOT_OWNER', error: 'Book 10 does not belong to the recipient',
+  });
+});
+
+test('offered books must belong to the sender', () => {
+  assert.deepEqual(checkRequestBookStates(parties, { requested: [10], offered: [20] }, [book(10, 2), book(20, 2)]), {
+    status: 422, code: 'SENDER_NOT_OWNER', error: 'Book 20 does not belong to the sender',
+  });
+});
+
+test('books must be available', () => {
+  assert.deepEqual(checkRequestBookStates(parties, { requested: [10], offered: [20] }, [book(10, 2), book(20, 1, 'lent')]), {
+    status: 409, code: 'BOOK_NOT_AVAILABLE', error: 'Book 20 is not available (status: lent)',
+  });
+});
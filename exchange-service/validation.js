@@ -0,0 +1,133 @@
+// Проверки exchange-service, которым не нужны база данных и другие сервисы
+
+// Сколько книг может быть с каждой стороны предложения обмена
+const SWAP_MAX_BOOKS = 10;
+
+// Текущая дата в формате YYYY-MM-DD (UTC)
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Сдвигает дату на заданное число дней
+ * @param {string} date - Дата YYYY-MM-DD
+ * @param {number} days - Число дней
+ * @returns {string} Дата YYYY-MM-DD
+ */
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Проверяет срок возврата книги, выданной на время
+ * @param {*} value - Срок из запроса
+ * @param {string} after - Дата, позже которой должен быть срок
+ * @param {number} maxDays - Не позже скольких дней от сегодняшней даты должен быть срок
+ * @returns {string|null} Описание ошибки или null, если срок допустим
+ */
+function checkDueDate(value, after, maxDays) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)
+    || Number.isNaN(Date.parse(`${value}T00:00:00Z`)) || addDays(value, 0) !== value) {
+    return 'due_date must be a date in YYYY-MM-DD format';
+  }
+  const latest = addDays(today(), maxDays);
+  if (value <= after || value > latest) {
+    return `due_date must be after ${after} and no later than ${latest}`;
+  }
+  return null;
+}
+
+/**
+ * Проверяет список ID книг одной стороны предложения обмена
+ * @param {*} value - Значение из тела запроса
+ * @param {string} field - Название поля для сообщения об ошибке
+ * @returns {string|null} Описание ошибки или null, если список корректен
+ */
+function checkBookIds(value, field) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > SWAP_MAX_BOOKS
+    || !value.every((id) => Number.isInteger(id) && id > 0)) {
+    return `${field} must be an array of 1 to ${SWAP_MAX_BOOKS} book IDs`;
+  }
+  if (new Set(value).size !== value.length) {
+    return `${field} must not contain duplicates`;
+  }
+  return null;
+}
+
+/**
+ * Проверяет состав книг предложения обмена
+ * @param {Object} body - Тело запроса с offered_book_ids и requested_book_ids
+ * @returns {{offered?: number[], requested?: number[], error?: string}}
+ */
+function checkSwapBooks(body) {
+  const { offered_book_ids: offered, requested_book_ids: requested } = body;
+  const error = checkBookIds(offered, 'offered_book_ids') || checkBookIds(requested, 'requested_book_ids');
+  if (error) {
+    return { error };
+  }
+  if (offered.some((id) => requested.includes(id))) {
+    return { error: 'The same book cannot be both offered and requested' };
+  }
+  return { offered, requested };
+}
+
+/**
+ * Проверяет книги заявки, полученные из books-service: книги существуют, принадлежат нужной стороне и доступны
+ * @param {Object} parties - { senderId, recipientId }
+ * @param {Object} bookIds - { requested: ID книг получателя, offered: ID книг отправителя }
+ * @param {Array<Object|null>} books - Книги в порядке requested, затем offered; null, если книги нет
+ * @returns {{status: number, code: string, error: string}|null} Ошибка или null, если все в порядке
+ */
+function checkRequestBookStates({ senderId, recipientId }, { requested, offered = [] }, books) {
+  const ids = [...requested, ...offered];
+  for (const [index, book] of books.entries()) {
+    const id = ids[index];
+    const isRequested = index < requested.length;
+    if (!book) {
+      return { status: 422, code: 'BOOK_NOT_FOUND', error: `Book ${id} not found` };
+    }
+    if (isRequested && book.owner_id === senderId) {
+      return { status: 422, code: 'OWN_BOOK', error: `Book ${id} belongs to the sender and cannot be requested` };
+    }
+    if (isRequested && book.owner_id !== recipientId) {
+      return { status: 422, code: 'RECIPIENT_NOT_OWNER', error: `Book ${id} does not belong to the recipient` };
+    }
+    if (!isRequested && book.owner_id !== senderId) {
+      return { status: 422, code: 'SENDER_NOT_OWNER', error: `Book ${id} does not belong to the sender` };
+    }
+    if (book.status !== 'available') {
+      return { status: 409, code: 'BOOK_NOT_AVAILABLE', error: `Book ${id} is not available (status: ${book.status})` };
+    }
+  }
+  return null;
+}
+
+const isRating = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+/**
+ * Проверяет отзыв об обмене: оценка партнера обязательна, оценка книги и комментарий — нет
+ * @param {Object} body - Тело запроса { partner_rating, book_rating, comment }
+ * @returns {string|null} Описание ошибки или null, если отзыв корректен
+ */
+function checkReview({ partner_rating, book_rating, comment }) {
+  if (!isRating(partner_rating)) {
+    return 'partner_rating must be an integer from 1 to 5';
+  }
+  if (book_rating !== undefined && book_rating !== null && !isRating(book_rating)) {
+    return 'book_rating must be an integer from 1 to 5';
+  }
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > 1000)) {
+    return 'comment must be a string of at most 1000 characters';
+  }
+  return null;
+}
+
+module.exports = {
+  SWAP_MAX_BOOKS,
+  today,
+  addDays,
+  checkDueDate,
+  checkSwapBooks,
+  checkRequestBookStates,
+  checkReview,
+};
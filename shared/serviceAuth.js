@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+// Подпись токенов проверяется локально по JWKS auth-service,
+// а /validate вызывается только для проверки отзыва сессии
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFRESH_MS = 30 * 1000;
+const VALIDATE_TIMEOUT_MS = parseInt(process.env.VALIDATE_TIMEOUT_MS || '2000', 10);
+// Сколько миллисекунд доверять последнему ответу /validate для сессии. Отзыв сессий,
+// смена роли и подтверждение email приходят событием USER_SESSIONS_CHANGED и сразу
+// сбрасывают кеш пользователя, поэтому срок ограничивает лишь последствия потерянного события
+const REVOCATION_CACHE_MS = parseInt(process.env.REVOCATION_CACHE_MS || '300000', 10);
+// Если auth-service недоступен, а ответа для сессии в кеше нет, запрос отклоняется с 503:
+// иначе отозванная сессия принималась бы до истечения access-токена. AUTH_FAIL_OPEN=true
+// вместо этого доверяет проверенной подписи и данным токена
+const AUTH_FAIL_OPEN = process.env.AUTH_FAIL_OPEN === 'true';
+const SESSION_CACHE_MAX_SIZE = 10000;
+
+/**
+ * Создает проверку access-токенов auth-service для сервиса. jsonwebtoken и node-fetch передает
+ * сам сервис: модуль общий для books-service и exchange-service и своих зависимостей не имеет
+ * @param {Object} options - Параметры
+ * @param {string} options.authServiceUrl - Адрес auth-service
+ * @param {Object} options.jwt - Модуль jsonwebtoken
+ * @param {Function} options.fetch - node-fetch
+ * @param {boolean} [options.failOpen] - Доверять токену, если auth-service недоступен; по умолчанию AUTH_FAIL_OPEN
+ * @returns {{authenticate: Function, authenticateToken: Function, invalidateUserSessions: Function}}
+ */
+function createServiceAuth({ authServiceUrl, jwt, fetch, failOpen = AUTH_FAIL_OPEN }) {
+  let authPublicKeys = new Map();
+  let authKeysCheckedAt = 0;
+  const sessionCache = new Map();
+
+  /**
+   * Возвращает открытый ключ auth-service по kid, при необходимости перечитывая JWKS
+   * @param {string} kid - Идентификатор ключа из заголовка токена
+   * @returns {Promise<Object|null>} Ключ или null, если такого ключа нет
+   */
+  async function getAuthPublicKey(kid) {
+    const age = Date.now() - authKeysCheckedAt;
+    if ((age > JWKS_CACHE_TTL_MS || !authPublicKeys.has(kid)) && age > JWKS_MIN_REFRESH_MS) {
+      authKeysCheckedAt = Date.now();
+      try {
+        const response = await fetch(`${authServiceUrl}/.well-known/jwks.json`, { timeout: VALIDATE_TIMEOUT_MS });
+        if (response.ok) {
+          const { keys } = await response.json();
+          authPublicKeys = new Map(keys.map((key) => [key.kid, crypto.createPublicKey({ key, format: 'jwk' })]));
+        }
+      } catch (error) {
+        // Продолжаем работать на закешированных ключах
+        console.error('JWKS fetch error:', error.message);
+      }
+    }
+    if (authPublicKeys.size === 0) {
+      throw new Error('Auth service signing keys are unavailable');
+    }
+    return authPublicKeys.get(kid) || null;
+  }
+
+  /**
+   * Проверяет подпись и срок действия access-токена без обращения к auth-service
+   * @param {string} token - JWT
+   * @returns {Promise<Object|null>} Утверждения токена или null, если токен недействителен
+   */
+  async function verifyTokenLocally(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header.kid) return null;
+
+    const publicKey = await getAuthPublicKey(decoded.header.kid);
+    if (!publicKey) return null;
+    try {
+      return jwt.verify(token, publicKey, { algorithms: ['RS256'] });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Проверяет через auth-service, не отозвана ли сессия токена
+   * @param {string} token - JWT
+   * @param {string} sessionId - ID сессии из токена
+   * @returns {Promise<Object|false|null>} Актуальные данные пользователя; false — сессия отозвана; null — auth-service недоступен
+   */
+  async function checkSession(token, sessionId) {
+    const cached = sessionCache.get(sessionId);
+    if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+    try {
+      const response = await fetch(`${authServiceUrl}/validate`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ token }),
+        timeout: VALIDATE_TIMEOUT_MS,
+      });
+      if (!response.ok) return null;
+
+      const { valid, user } = await response.json();
+      const result = valid ? user : false;
+      if (REVOCATION_CACHE_MS > 0) {
+        if (sessionCache.size > SESSION_CACHE_MAX_SIZE) {
+          for (const [key, entry] of sessionCache) {
+            if (entry.expiresAt <= Date.now()) sessionCache.delete(key);
+          }
+        }
+        sessionCache.set(sessionId, { result, userId: result ? result.id : null, expiresAt: Date.now() + REVOCATION_CACHE_MS });
+      }
+      return result;
+    } catch (error) {
+      console.error('Auth service error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Сбрасывает закешированные ответы /validate для всех сессий пользователя
+   * @param {number} userId - ID пользователя
+   */
+  function invalidateUserSessions(userId) {
+    for (const [key, entry] of sessionCache) {
+      if (entry.userId === userId) sessionCache.delete(key);
+    }
+  }
+
+  /**
+   * Проверяет access-токен: подпись локально, отзыв сессии через auth-service
+   * @param {string} token - JWT без префикса Bearer
+   * @returns {Promise<{user: Object}|{status: number, error: string}>} Пользователь или ошибка с HTTP-статусом
+   */
+  async function authenticateToken(token) {
+    let claims;
+    try {
+      claims = await verifyTokenLocally(token);
+    } catch (error) {
+      console.error('Auth service error:', error.message);
+      return { status: 503, error: 'Authentication service unavailable' };
+    }
+    if (!claims) {
+      return { status: 401, error: 'Invalid token' };
+    }
+
+    const sessionUser = await checkSession(token, claims.sid);
+    if (sessionUser === false) {
+      return { status: 401, error: 'Invalid token' };
+    }
+    if (sessionUser === null) {
+      if (!failOpen) {
+        return { status: 503, error: 'Authentication service unavailable' };
+      }
+      // Явно разрешено доверять проверенной подписи и данным из токена (AUTH_FAIL_OPEN=true)
+      return { user: claims };
+    }
+    return { user: sessionUser };
+  }
+
+  /**
+   * Middleware для аутентификации пользователя
+   * @param {Object} req - Объект запроса
+   * @param {Object} res - Объект ответа
+   * @param {Function} next - Следующая функция middleware
+   */
+  const authenticate = async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : authHeader;
+
+    const { user, status, error } = await authenticateToken(token);
+    if (!user) {
+      return res.status(status).json({ error });
+    }
+    req.user = user;
+    next();
+  };
+
+  return { authenticate, authenticateToken, invalidateUserSessions };
+}
+
+module.exports = { createServiceAuth };